@@ -78,6 +78,8 @@
     qUltraLow: "Ultra low quality",
     qLegacyFair: "Legacy fair quality",
     qLegacyUltraLow: "Legacy ultra low quality",
+    qAdaptive: "Adaptive (automatic)",
+    qAuto: "Auto",
     qBetter: "High quality",
     qLegacyBetter: "Legacy high quality",
     qLegacyLow: "Legacy low quality",
@@ -96,6 +98,142 @@
     audioLoadError: "Error: Could not load audio.",
     audioFallbackCompatible: "Switched to a compatible audio format.",
     noChaptersFound: "No chapters found",
+    transcript: "Transcript",
+    closeTranscript: "Close transcript",
+    transcriptSearch: "Search transcript",
+    transcriptPrevMatch: "Previous match",
+    transcriptNextMatch: "Next match",
+    transcriptMatchCount: "{n} of {total}",
+    transcriptNoMatches: "No matches",
+    loadingTranscript: "Loading transcript…",
+    transcriptLoadFailed: "Could not load transcript.",
+    noTranscriptFound: "No transcript found",
+    queue: "Queue",
+    closeQueue: "Close queue",
+    queueUpNext: "Up next",
+    queueLibrary: "Library",
+    queueClear: "Clear",
+    queueAutoAdvance: "Play the next episode automatically",
+    queueEmpty: "The queue is empty. Add episodes from the library below.",
+    queueMoveUp: "Move up",
+    queueMoveDown: "Move down",
+    queueRemove: "Remove from queue",
+    queuePlayNext: "Play next",
+    queueAdd: "Add to queue",
+    queueNowPlaying: "Now playing",
+    queueAdded: "Added to queue: {title}",
+    queuePlayingNext: "Plays next: {title}",
+    queueAdvancing: "Up next: {title}",
+    offline: "Offline",
+    offlineDownload: "Download for offline",
+    offlineCancel: "Cancel download",
+    offlineRemove: "Remove download",
+    offlineDownloading: "Downloading… {pct}%",
+    offlineDownloadingBytes: "Downloading… {size}",
+    offlineDownloaded: "Downloaded: {quality} ({size})",
+    offlineNotDownloaded: "This episode is not downloaded in this language.",
+    offlineStorageUsage: "Storage used: {used} of {quota}",
+    offlineSaved: "Saved for offline listening.",
+    offlineRemoved: "Download removed.",
+    offlineCanceled: "Download canceled.",
+    offlineFailed: "Download failed.",
+    offlinePlayingDownload: "Continuing from the downloaded copy.",
+    bookmarks: "Bookmarks",
+    bookmarksCount: "Bookmarks ({n})",
+    addBookmark: "Add bookmark",
+    closeBookmarks: "Close bookmarks",
+    bookmarkAdded: "Bookmark added at {time}",
+    bookmarkGoTo: "Go to {time}",
+    bookmarkNotePlaceholder: "Add a note",
+    bookmarkNoteLabel: "Note for {time}",
+    bookmarkRemove: "Delete bookmark",
+    noBookmarks: "No bookmarks yet. Use ⚑ to mark the current position.",
+    bookmarksExport: "Export",
+    bookmarksImport: "Import",
+    bookmarksNothingToExport: "No bookmarks to export.",
+    bookmarksImported: "Imported {n} bookmarks.",
+    bookmarksImportInvalid: "This file does not contain bookmarks.",
+    bookmarksImportOtherEpisode: "These bookmarks belong to another episode ({id}).",
+    copyLinkAtTime: "Copy link at current time",
+    linkCopied: "Link copied.",
+    linkCopyFailed: "Could not copy the link: {url}",
+    deepLinkChapterNotFound: "Chapter “{chapter}” was not found.",
+    sound: "Sound",
+    smartSpeed: "Smart speed (shorten silences)",
+    voiceBoost: "Voice boost",
+    normalizeLoudness: "Normalize loudness",
+    smartSpeedSaved: "Smart speed saved {time}",
+    loudnessAdjusted: "Loudness {db} dB",
+    soundUnavailable: "Sound processing is not available in this browser.",
+    syncedPosition: "Continuing at {time} from your other device",
+    progress: "Progress",
+    statsSummary: "{percent}% heard · {time} listened",
+    statsFinished: "Finished · {time} listened",
+    markFinished: "Mark as finished",
+    markUnfinished: "Mark as unfinished",
+    finished: "Finished",
+    percentHeard: "{percent}% heard",
+    markedFinished: "Marked as finished",
+    markedUnfinished: "Marked as unfinished",
+    libraryBrowse: "Browse library",
+    closeLibrary: "Close library",
+    librarySearch: "Search library",
+    libraryAll: "All",
+    libraryNotStarted: "Not started",
+    libraryInProgress: "In progress",
+    libraryAllTags: "All tags",
+    libraryTag: "Tag",
+    librarySort: "Sort by",
+    librarySortSeries: "By series",
+    librarySortTitle: "By title",
+    librarySortAuthor: "By author",
+    libraryListView: "List view",
+    libraryGridView: "Grid view",
+    libraryNoMatches: "No matching audiobooks.",
+    libraryCount: "{count} of {total}",
+    libraryNoSeries: "Other books",
+    libraryNoAuthor: "Unknown author",
+    librarySeriesIndex: "{series} · Book {n}",
+    chapterLinkTitle: "Open the link for “{title}”: {url}",
+    chapterNavLabel: "Prev/next chapter",
+    chapterNavAll: "Every entry",
+    chapterNavLevel: "Level {n} (e.g. “{example}”)",
+    expandChapter: "Show the chapters in “{title}”",
+    collapseChapter: "Hide the chapters in “{title}”",
+    chapterXofY: "Chapter {x} of {y}",
+    chapterTimeLeft: "{left} in chapter",
+    chapterLength: "Length {length}",
+    shortcutsLink: "Keyboard shortcuts",
+    shortcutsTitle: "Keyboard shortcuts",
+    shortcutsIntro: "Shortcuts work when the focus is not in a text field or on a button. Select Change, then press the new key (Escape cancels).",
+    shortcutsReset: "Reset to defaults",
+    shortcutChange: "Change",
+    shortcutChangeAria: "Change the key for “{action}”",
+    shortcutPressKey: "Press a key…",
+    shortcutNone: "No key",
+    keySpace: "Space",
+    shortcutPlayPause: "Play / pause",
+    shortcutSeekBack: "Back {s} seconds",
+    shortcutSeekForward: "Forward {s} seconds",
+    shortcutPrevChapter: "Previous chapter",
+    shortcutNextChapter: "Next chapter",
+    shortcutSpeedDown: "Slower",
+    shortcutSpeedUp: "Faster",
+    shortcutVolumeDown: "Volume down",
+    shortcutVolumeUp: "Volume up",
+    shortcutMute: "Mute / unmute",
+    shortcutAddBookmark: "Add bookmark",
+    shortcutSleepTimer: "Sleep timer",
+    shortcutShortcutsHelp: "Show keyboard shortcuts",
+    shortcutSeekPercent: "Jump to 0–90% of the episode",
+    volumeToast: "Volume {p}",
+    speedToast: "Speed {rate}",
+    lockScreenLabel: "Lock screen position",
+    lockScreenEpisode: "Whole episode",
+    lockScreenChapter: "Current chapter",
+    miniPlayerLabel: "Mini player",
+    miniPlayerOpen: "Show player",
+    miniPlayerClose: "Hide mini player",
   },
   da: {
     openCover: "Åbn forsidebillede",
@@ -172,6 +310,8 @@
     qUltraLow: "Ultra lav kvalitet",
     qLegacyFair: "Legacy rimelig kvalitet",
     qLegacyUltraLow: "Legacy ultra lav kvalitet",
+    qAdaptive: "Adaptiv (automatisk)",
+    qAuto: "Auto",
     qBetter: "Høj kvalitet",
     qLegacyBetter: "Legacy høj kvalitet",
     qLegacyLow: "Legacy lav kvalitet",
@@ -190,6 +330,142 @@
     audioLoadError: "Fejl: Kunne ikke indlæse lyd.",
     audioFallbackCompatible: "Skiftede til et kompatibelt lydformat.",
     noChaptersFound: "Ingen kapitler fundet",
+    transcript: "Transskription",
+    closeTranscript: "Luk transskription",
+    transcriptSearch: "Søg i transskription",
+    transcriptPrevMatch: "Forrige resultat",
+    transcriptNextMatch: "Næste resultat",
+    transcriptMatchCount: "{n} af {total}",
+    transcriptNoMatches: "Ingen resultater",
+    loadingTranscript: "Indlæser transskription…",
+    transcriptLoadFailed: "Kunne ikke indlæse transskription.",
+    noTranscriptFound: "Ingen transskription fundet",
+    queue: "Kø",
+    closeQueue: "Luk kø",
+    queueUpNext: "Næste",
+    queueLibrary: "Bibliotek",
+    queueClear: "Ryd",
+    queueAutoAdvance: "Afspil automatisk den næste episode",
+    queueEmpty: "Køen er tom. Tilføj episoder fra biblioteket nedenfor.",
+    queueMoveUp: "Flyt op",
+    queueMoveDown: "Flyt ned",
+    queueRemove: "Fjern fra kø",
+    queuePlayNext: "Afspil som næste",
+    queueAdd: "Føj til kø",
+    queueNowPlaying: "Afspilles nu",
+    queueAdded: "Føjet til kø: {title}",
+    queuePlayingNext: "Afspilles som næste: {title}",
+    queueAdvancing: "Næste: {title}",
+    offline: "Offline",
+    offlineDownload: "Hent til offline",
+    offlineCancel: "Annuller download",
+    offlineRemove: "Fjern download",
+    offlineDownloading: "Henter… {pct}%",
+    offlineDownloadingBytes: "Henter… {size}",
+    offlineDownloaded: "Hentet: {quality} ({size})",
+    offlineNotDownloaded: "Denne episode er ikke hentet på dette sprog.",
+    offlineStorageUsage: "Lagerplads brugt: {used} af {quota}",
+    offlineSaved: "Gemt til offline lytning.",
+    offlineRemoved: "Download fjernet.",
+    offlineCanceled: "Download annulleret.",
+    offlineFailed: "Download mislykkedes.",
+    offlinePlayingDownload: "Fortsætter fra den hentede kopi.",
+    bookmarks: "Bogmærker",
+    bookmarksCount: "Bogmærker ({n})",
+    addBookmark: "Tilføj bogmærke",
+    closeBookmarks: "Luk bogmærker",
+    bookmarkAdded: "Bogmærke tilføjet ved {time}",
+    bookmarkGoTo: "Gå til {time}",
+    bookmarkNotePlaceholder: "Tilføj en note",
+    bookmarkNoteLabel: "Note til {time}",
+    bookmarkRemove: "Slet bogmærke",
+    noBookmarks: "Ingen bogmærker endnu. Brug ⚑ for at markere den aktuelle position.",
+    bookmarksExport: "Eksportér",
+    bookmarksImport: "Importér",
+    bookmarksNothingToExport: "Der er ingen bogmærker at eksportere.",
+    bookmarksImported: "{n} bogmærker importeret.",
+    bookmarksImportInvalid: "Filen indeholder ingen bogmærker.",
+    bookmarksImportOtherEpisode: "Bogmærkerne hører til en anden episode ({id}).",
+    copyLinkAtTime: "Kopiér link til nuværende tidspunkt",
+    linkCopied: "Link kopieret.",
+    linkCopyFailed: "Linket kunne ikke kopieres: {url}",
+    deepLinkChapterNotFound: "Kapitlet “{chapter}” blev ikke fundet.",
+    sound: "Lyd",
+    smartSpeed: "Smart hastighed (forkort stilhed)",
+    voiceBoost: "Tydelig tale",
+    normalizeLoudness: "Udjævn lydstyrke",
+    smartSpeedSaved: "Smart hastighed har sparet {time}",
+    loudnessAdjusted: "Lydstyrke {db} dB",
+    soundUnavailable: "Lydbehandling er ikke tilgængelig i denne browser.",
+    syncedPosition: "Fortsætter ved {time} fra din anden enhed",
+    progress: "Fremskridt",
+    statsSummary: "{percent}% hørt · {time} lyttet",
+    statsFinished: "Færdig · {time} lyttet",
+    markFinished: "Markér som færdig",
+    markUnfinished: "Markér som ikke færdig",
+    finished: "Færdig",
+    percentHeard: "{percent}% hørt",
+    markedFinished: "Markeret som færdig",
+    markedUnfinished: "Markeret som ikke færdig",
+    libraryBrowse: "Gennemse biblioteket",
+    closeLibrary: "Luk biblioteket",
+    librarySearch: "Søg i biblioteket",
+    libraryAll: "Alle",
+    libraryNotStarted: "Ikke startet",
+    libraryInProgress: "I gang",
+    libraryAllTags: "Alle emner",
+    libraryTag: "Emne",
+    librarySort: "Sortér efter",
+    librarySortSeries: "Efter serie",
+    librarySortTitle: "Efter titel",
+    librarySortAuthor: "Efter forfatter",
+    libraryListView: "Listevisning",
+    libraryGridView: "Gittervisning",
+    libraryNoMatches: "Ingen lydbøger matcher.",
+    libraryCount: "{count} af {total}",
+    libraryNoSeries: "Andre bøger",
+    libraryNoAuthor: "Ukendt forfatter",
+    librarySeriesIndex: "{series} · Bog {n}",
+    chapterLinkTitle: "Åbn linket til “{title}”: {url}",
+    chapterNavLabel: "Forrige/næste kapitel",
+    chapterNavAll: "Alle punkter",
+    chapterNavLevel: "Niveau {n} (fx “{example}”)",
+    expandChapter: "Vis kapitlerne i “{title}”",
+    collapseChapter: "Skjul kapitlerne i “{title}”",
+    chapterXofY: "Kapitel {x} af {y}",
+    chapterTimeLeft: "{left} af kapitlet",
+    chapterLength: "Længde {length}",
+    shortcutsLink: "Tastaturgenveje",
+    shortcutsTitle: "Tastaturgenveje",
+    shortcutsIntro: "Genvejene virker, når fokus ikke er i et tekstfelt eller på en knap. Vælg Skift, og tryk derefter på den nye tast (Escape annullerer).",
+    shortcutsReset: "Nulstil til standard",
+    shortcutChange: "Skift",
+    shortcutChangeAria: "Skift tasten for “{action}”",
+    shortcutPressKey: "Tryk på en tast…",
+    shortcutNone: "Ingen tast",
+    keySpace: "Mellemrum",
+    shortcutPlayPause: "Afspil / pause",
+    shortcutSeekBack: "{s} sekunder tilbage",
+    shortcutSeekForward: "{s} sekunder frem",
+    shortcutPrevChapter: "Forrige kapitel",
+    shortcutNextChapter: "Næste kapitel",
+    shortcutSpeedDown: "Langsommere",
+    shortcutSpeedUp: "Hurtigere",
+    shortcutVolumeDown: "Lavere lydstyrke",
+    shortcutVolumeUp: "Højere lydstyrke",
+    shortcutMute: "Slå lyd fra / til",
+    shortcutAddBookmark: "Tilføj bogmærke",
+    shortcutSleepTimer: "Søvntimer",
+    shortcutShortcutsHelp: "Vis tastaturgenveje",
+    shortcutSeekPercent: "Spring til 0–90 % af episoden",
+    volumeToast: "Lydstyrke {p}",
+    speedToast: "Hastighed {rate}",
+    lockScreenLabel: "Position på låseskærm",
+    lockScreenEpisode: "Hele episoden",
+    lockScreenChapter: "Aktuelt kapitel",
+    miniPlayerLabel: "Miniafspiller",
+    miniPlayerOpen: "Vis afspiller",
+    miniPlayerClose: "Skjul miniafspiller",
   },
   nb: {
     openCover: "Åpne omslagsbilde",
@@ -266,6 +542,8 @@
     qUltraLow: "Ultra lav kvalitet",
     qLegacyFair: "Legacy grei kvalitet",
     qLegacyUltraLow: "Legacy ultra lav kvalitet",
+    qAdaptive: "Adaptiv (automatisk)",
+    qAuto: "Auto",
     qBetter: "Høy kvalitet",
     qLegacyBetter: "Legacy høy kvalitet",
     qLegacyLow: "Legacy lav kvalitet",
@@ -284,6 +562,142 @@
     audioLoadError: "Feil: Kunne ikke laste inn lyd.",
     audioFallbackCompatible: "Byttet til et kompatibelt lydformat.",
     noChaptersFound: "Ingen kapitler funnet",
+    transcript: "Transkripsjon",
+    closeTranscript: "Lukk transkripsjon",
+    transcriptSearch: "Søk i transkripsjon",
+    transcriptPrevMatch: "Forrige treff",
+    transcriptNextMatch: "Neste treff",
+    transcriptMatchCount: "{n} av {total}",
+    transcriptNoMatches: "Ingen treff",
+    loadingTranscript: "Laster transkripsjon…",
+    transcriptLoadFailed: "Kunne ikke laste transkripsjon.",
+    noTranscriptFound: "Ingen transkripsjon funnet",
+    queue: "Kø",
+    closeQueue: "Lukk kø",
+    queueUpNext: "Neste",
+    queueLibrary: "Bibliotek",
+    queueClear: "Tøm",
+    queueAutoAdvance: "Spill av neste episode automatisk",
+    queueEmpty: "Køen er tom. Legg til episoder fra biblioteket nedenfor.",
+    queueMoveUp: "Flytt opp",
+    queueMoveDown: "Flytt ned",
+    queueRemove: "Fjern fra kø",
+    queuePlayNext: "Spill av som neste",
+    queueAdd: "Legg til i kø",
+    queueNowPlaying: "Spilles nå",
+    queueAdded: "Lagt til i kø: {title}",
+    queuePlayingNext: "Spilles som neste: {title}",
+    queueAdvancing: "Neste: {title}",
+    offline: "Frakoblet",
+    offlineDownload: "Last ned for frakoblet bruk",
+    offlineCancel: "Avbryt nedlasting",
+    offlineRemove: "Fjern nedlasting",
+    offlineDownloading: "Laster ned… {pct}%",
+    offlineDownloadingBytes: "Laster ned… {size}",
+    offlineDownloaded: "Lastet ned: {quality} ({size})",
+    offlineNotDownloaded: "Denne episoden er ikke lastet ned på dette språket.",
+    offlineStorageUsage: "Lagring brukt: {used} av {quota}",
+    offlineSaved: "Lagret for frakoblet lytting.",
+    offlineRemoved: "Nedlasting fjernet.",
+    offlineCanceled: "Nedlasting avbrutt.",
+    offlineFailed: "Nedlastingen mislyktes.",
+    offlinePlayingDownload: "Fortsetter fra den nedlastede kopien.",
+    bookmarks: "Bokmerker",
+    bookmarksCount: "Bokmerker ({n})",
+    addBookmark: "Legg til bokmerke",
+    closeBookmarks: "Lukk bokmerker",
+    bookmarkAdded: "Bokmerke lagt til ved {time}",
+    bookmarkGoTo: "Gå til {time}",
+    bookmarkNotePlaceholder: "Legg til et notat",
+    bookmarkNoteLabel: "Notat for {time}",
+    bookmarkRemove: "Slett bokmerke",
+    noBookmarks: "Ingen bokmerker ennå. Bruk ⚑ for å merke nåværende posisjon.",
+    bookmarksExport: "Eksporter",
+    bookmarksImport: "Importer",
+    bookmarksNothingToExport: "Ingen bokmerker å eksportere.",
+    bookmarksImported: "{n} bokmerker importert.",
+    bookmarksImportInvalid: "Filen inneholder ingen bokmerker.",
+    bookmarksImportOtherEpisode: "Disse bokmerkene hører til en annen episode ({id}).",
+    copyLinkAtTime: "Kopier lenke til nåværende tidspunkt",
+    linkCopied: "Lenke kopiert.",
+    linkCopyFailed: "Kunne ikke kopiere lenken: {url}",
+    deepLinkChapterNotFound: "Fant ikke kapittelet «{chapter}».",
+    sound: "Lyd",
+    smartSpeed: "Smart hastighet (kort ned stillhet)",
+    voiceBoost: "Tydelig tale",
+    normalizeLoudness: "Jevn ut lydstyrken",
+    smartSpeedSaved: "Smart hastighet har spart {time}",
+    loudnessAdjusted: "Lydstyrke {db} dB",
+    soundUnavailable: "Lydbehandling er ikke tilgjengelig i denne nettleseren.",
+    syncedPosition: "Fortsetter på {time} fra den andre enheten din",
+    progress: "Fremdrift",
+    statsSummary: "{percent} % hørt · {time} lyttet",
+    statsFinished: "Ferdig · {time} lyttet",
+    markFinished: "Merk som ferdig",
+    markUnfinished: "Merk som ikke ferdig",
+    finished: "Ferdig",
+    percentHeard: "{percent} % hørt",
+    markedFinished: "Merket som ferdig",
+    markedUnfinished: "Merket som ikke ferdig",
+    libraryBrowse: "Bla gjennom biblioteket",
+    closeLibrary: "Lukk biblioteket",
+    librarySearch: "Søk i biblioteket",
+    libraryAll: "Alle",
+    libraryNotStarted: "Ikke startet",
+    libraryInProgress: "Påbegynt",
+    libraryAllTags: "Alle emner",
+    libraryTag: "Emne",
+    librarySort: "Sorter etter",
+    librarySortSeries: "Etter serie",
+    librarySortTitle: "Etter tittel",
+    librarySortAuthor: "Etter forfatter",
+    libraryListView: "Listevisning",
+    libraryGridView: "Rutenettvisning",
+    libraryNoMatches: "Ingen lydbøker samsvarer.",
+    libraryCount: "{count} av {total}",
+    libraryNoSeries: "Andre bøker",
+    libraryNoAuthor: "Ukjent forfatter",
+    librarySeriesIndex: "{series} · Bok {n}",
+    chapterLinkTitle: "Åpne lenken til «{title}»: {url}",
+    chapterNavLabel: "Forrige/neste kapittel",
+    chapterNavAll: "Alle punkter",
+    chapterNavLevel: "Nivå {n} (f.eks. «{example}»)",
+    expandChapter: "Vis kapitlene i «{title}»",
+    collapseChapter: "Skjul kapitlene i «{title}»",
+    chapterXofY: "Kapittel {x} av {y}",
+    chapterTimeLeft: "{left} av kapittelet",
+    chapterLength: "Lengde {length}",
+    shortcutsLink: "Hurtigtaster",
+    shortcutsTitle: "Hurtigtaster",
+    shortcutsIntro: "Hurtigtastene virker når fokus ikke er i et tekstfelt eller på en knapp. Velg Endre, og trykk deretter på den nye tasten (Escape avbryter).",
+    shortcutsReset: "Tilbakestill til standard",
+    shortcutChange: "Endre",
+    shortcutChangeAria: "Endre tasten for «{action}»",
+    shortcutPressKey: "Trykk på en tast…",
+    shortcutNone: "Ingen tast",
+    keySpace: "Mellomrom",
+    shortcutPlayPause: "Spill av / pause",
+    shortcutSeekBack: "{s} sekunder tilbake",
+    shortcutSeekForward: "{s} sekunder fram",
+    shortcutPrevChapter: "Forrige kapittel",
+    shortcutNextChapter: "Neste kapittel",
+    shortcutSpeedDown: "Saktere",
+    shortcutSpeedUp: "Raskere",
+    shortcutVolumeDown: "Lavere volum",
+    shortcutVolumeUp: "Høyere volum",
+    shortcutMute: "Lyd av / på",
+    shortcutAddBookmark: "Legg til bokmerke",
+    shortcutSleepTimer: "Sovetimer",
+    shortcutShortcutsHelp: "Vis hurtigtaster",
+    shortcutSeekPercent: "Hopp til 0–90 % av episoden",
+    volumeToast: "Volum {p}",
+    speedToast: "Hastighet {rate}",
+    lockScreenLabel: "Posisjon på låseskjerm",
+    lockScreenEpisode: "Hele episoden",
+    lockScreenChapter: "Gjeldende kapittel",
+    miniPlayerLabel: "Minispiller",
+    miniPlayerOpen: "Vis spiller",
+    miniPlayerClose: "Skjul minispiller",
   },
   sv: {
     openCover: "Öppna omslagsbild",
@@ -360,6 +774,8 @@
     qUltraLow: "Ultra låg kvalitet",
     qLegacyFair: "Legacy okej kvalitet",
     qLegacyUltraLow: "Legacy ultra låg kvalitet",
+    qAdaptive: "Adaptiv (automatisk)",
+    qAuto: "Auto",
     qBetter: "Hög kvalitet",
     qLegacyBetter: "Legacy hög kvalitet",
     qLegacyLow: "Legacy låg kvalitet",
@@ -378,6 +794,142 @@
     audioLoadError: "Fel: Kunde inte ladda ljud.",
     audioFallbackCompatible: "Bytte till ett kompatibelt ljudformat.",
     noChaptersFound: "Inga kapitel hittades",
+    transcript: "Transkription",
+    closeTranscript: "Stäng transkription",
+    transcriptSearch: "Sök i transkription",
+    transcriptPrevMatch: "Föregående träff",
+    transcriptNextMatch: "Nästa träff",
+    transcriptMatchCount: "{n} av {total}",
+    transcriptNoMatches: "Inga träffar",
+    loadingTranscript: "Läser in transkription…",
+    transcriptLoadFailed: "Kunde inte läsa in transkription.",
+    noTranscriptFound: "Ingen transkription hittades",
+    queue: "Kö",
+    closeQueue: "Stäng kö",
+    queueUpNext: "Nästa",
+    queueLibrary: "Bibliotek",
+    queueClear: "Rensa",
+    queueAutoAdvance: "Spela nästa avsnitt automatiskt",
+    queueEmpty: "Kön är tom. Lägg till avsnitt från biblioteket nedan.",
+    queueMoveUp: "Flytta upp",
+    queueMoveDown: "Flytta ned",
+    queueRemove: "Ta bort från kö",
+    queuePlayNext: "Spela härnäst",
+    queueAdd: "Lägg till i kö",
+    queueNowPlaying: "Spelas nu",
+    queueAdded: "Tillagd i kö: {title}",
+    queuePlayingNext: "Spelas härnäst: {title}",
+    queueAdvancing: "Nästa: {title}",
+    offline: "Offline",
+    offlineDownload: "Ladda ned för offline",
+    offlineCancel: "Avbryt nedladdning",
+    offlineRemove: "Ta bort nedladdning",
+    offlineDownloading: "Laddar ned… {pct}%",
+    offlineDownloadingBytes: "Laddar ned… {size}",
+    offlineDownloaded: "Nedladdad: {quality} ({size})",
+    offlineNotDownloaded: "Det här avsnittet är inte nedladdat på det här språket.",
+    offlineStorageUsage: "Lagring använd: {used} av {quota}",
+    offlineSaved: "Sparad för offlinelyssning.",
+    offlineRemoved: "Nedladdningen har tagits bort.",
+    offlineCanceled: "Nedladdningen avbröts.",
+    offlineFailed: "Nedladdningen misslyckades.",
+    offlinePlayingDownload: "Fortsätter från den nedladdade kopian.",
+    bookmarks: "Bokmärken",
+    bookmarksCount: "Bokmärken ({n})",
+    addBookmark: "Lägg till bokmärke",
+    closeBookmarks: "Stäng bokmärken",
+    bookmarkAdded: "Bokmärke tillagt vid {time}",
+    bookmarkGoTo: "Gå till {time}",
+    bookmarkNotePlaceholder: "Lägg till en anteckning",
+    bookmarkNoteLabel: "Anteckning för {time}",
+    bookmarkRemove: "Ta bort bokmärke",
+    noBookmarks: "Inga bokmärken ännu. Använd ⚑ för att markera aktuell position.",
+    bookmarksExport: "Exportera",
+    bookmarksImport: "Importera",
+    bookmarksNothingToExport: "Det finns inga bokmärken att exportera.",
+    bookmarksImported: "{n} bokmärken importerade.",
+    bookmarksImportInvalid: "Filen innehåller inga bokmärken.",
+    bookmarksImportOtherEpisode: "Bokmärkena hör till ett annat avsnitt ({id}).",
+    copyLinkAtTime: "Kopiera länk till aktuell tidpunkt",
+    linkCopied: "Länken har kopierats.",
+    linkCopyFailed: "Det gick inte att kopiera länken: {url}",
+    deepLinkChapterNotFound: "Kapitlet ”{chapter}” hittades inte.",
+    sound: "Ljud",
+    smartSpeed: "Smart hastighet (korta tystnader)",
+    voiceBoost: "Tydligt tal",
+    normalizeLoudness: "Jämna ut ljudnivån",
+    smartSpeedSaved: "Smart hastighet har sparat {time}",
+    loudnessAdjusted: "Ljudnivå {db} dB",
+    soundUnavailable: "Ljudbehandling är inte tillgänglig i den här webbläsaren.",
+    syncedPosition: "Fortsätter vid {time} från din andra enhet",
+    progress: "Förlopp",
+    statsSummary: "{percent} % hört · {time} lyssnat",
+    statsFinished: "Klar · {time} lyssnat",
+    markFinished: "Markera som klar",
+    markUnfinished: "Markera som inte klar",
+    finished: "Klar",
+    percentHeard: "{percent} % hört",
+    markedFinished: "Markerad som klar",
+    markedUnfinished: "Markerad som inte klar",
+    libraryBrowse: "Bläddra i biblioteket",
+    closeLibrary: "Stäng biblioteket",
+    librarySearch: "Sök i biblioteket",
+    libraryAll: "Alla",
+    libraryNotStarted: "Inte påbörjade",
+    libraryInProgress: "Påbörjade",
+    libraryAllTags: "Alla ämnen",
+    libraryTag: "Ämne",
+    librarySort: "Sortera efter",
+    librarySortSeries: "Efter serie",
+    librarySortTitle: "Efter titel",
+    librarySortAuthor: "Efter författare",
+    libraryListView: "Listvy",
+    libraryGridView: "Rutnätsvy",
+    libraryNoMatches: "Inga ljudböcker matchar.",
+    libraryCount: "{count} av {total}",
+    libraryNoSeries: "Andra böcker",
+    libraryNoAuthor: "Okänd författare",
+    librarySeriesIndex: "{series} · Bok {n}",
+    chapterLinkTitle: "Öppna länken för ”{title}”: {url}",
+    chapterNavLabel: "Föregående/nästa kapitel",
+    chapterNavAll: "Alla punkter",
+    chapterNavLevel: "Nivå {n} (t.ex. ”{example}”)",
+    expandChapter: "Visa kapitlen i ”{title}”",
+    collapseChapter: "Dölj kapitlen i ”{title}”",
+    chapterXofY: "Kapitel {x} av {y}",
+    chapterTimeLeft: "{left} av kapitlet",
+    chapterLength: "Längd {length}",
+    shortcutsLink: "Kortkommandon",
+    shortcutsTitle: "Kortkommandon",
+    shortcutsIntro: "Kortkommandona fungerar när fokus inte är i ett textfält eller på en knapp. Välj Ändra och tryck sedan på den nya tangenten (Escape avbryter).",
+    shortcutsReset: "Återställ standard",
+    shortcutChange: "Ändra",
+    shortcutChangeAria: "Ändra tangenten för ”{action}”",
+    shortcutPressKey: "Tryck på en tangent…",
+    shortcutNone: "Ingen tangent",
+    keySpace: "Blanksteg",
+    shortcutPlayPause: "Spela / pausa",
+    shortcutSeekBack: "{s} sekunder bakåt",
+    shortcutSeekForward: "{s} sekunder framåt",
+    shortcutPrevChapter: "Föregående kapitel",
+    shortcutNextChapter: "Nästa kapitel",
+    shortcutSpeedDown: "Långsammare",
+    shortcutSpeedUp: "Snabbare",
+    shortcutVolumeDown: "Sänk volymen",
+    shortcutVolumeUp: "Höj volymen",
+    shortcutMute: "Ljud av / på",
+    shortcutAddBookmark: "Lägg till bokmärke",
+    shortcutSleepTimer: "Sovtimer",
+    shortcutShortcutsHelp: "Visa kortkommandon",
+    shortcutSeekPercent: "Hoppa till 0–90 % av avsnittet",
+    volumeToast: "Volym {p}",
+    speedToast: "Hastighet {rate}",
+    lockScreenLabel: "Position på låsskärm",
+    lockScreenEpisode: "Hela avsnittet",
+    lockScreenChapter: "Aktuellt kapitel",
+    miniPlayerLabel: "Minispelare",
+    miniPlayerOpen: "Visa spelaren",
+    miniPlayerClose: "Dölj minispelaren",
   }
   };
 })();
@@ -0,0 +1,148 @@
+/* Compact Audio Player — service worker
+ * - Caches the app shell so the page opens offline
+ * - Serves episodes saved with "Download for offline" from Cache Storage
+ *   (audio cache-first with Range support; JSON/VTT/covers network-first)
+ */
+
+(() => {
+  "use strict";
+
+  // Keep in sync with CONFIG.OFFLINE_CACHE in player.js (the page writes downloads there).
+  const OFFLINE_CACHE = "cap-offline-v1";
+  const SHELL_CACHE = "cap-shell-v1";
+  const SHELL_FILES = [
+    "./",
+    "./index.html",
+    "./player.css?v=1",
+    "./i18n.js?v=1",
+    "./player.js?v=1",
+    "./favicon.ico",
+  ];
+
+  self.addEventListener("install", (event) => {
+    event.waitUntil(
+      caches.open(SHELL_CACHE)
+        .then((cache) => cache.addAll(SHELL_FILES))
+        .catch(() => {})
+        .then(() => self.skipWaiting())
+    );
+  });
+
+  self.addEventListener("activate", (event) => {
+    event.waitUntil((async () => {
+      // Drop shell caches from older builds; downloads are only removed by the page.
+      const keys = await caches.keys();
+      await Promise.all(keys
+        .filter((k) => k.startsWith("cap-shell-") && k !== SHELL_CACHE)
+        .map((k) => caches.delete(k)));
+      await self.clients.claim();
+    })());
+  });
+
+  // Only the player page itself ("./" or "./index.html", any query) is part of the
+  // shell. Other pages under the scope (a multi-page site) go to the network
+  // untouched, so they never replace the cached player page.
+  function isPlayerPage(url) {
+    if (url.origin !== self.location.origin) return false;
+    const scope = new URL(self.registration.scope);
+    return url.pathname === scope.pathname || url.pathname === new URL("./index.html", scope).pathname;
+  }
+
+  function isShellRequest(req, url) {
+    if (req.mode === "navigate") return isPlayerPage(url);
+    if (url.origin !== self.location.origin) return false;
+    const scope = new URL(self.registration.scope);
+    return SHELL_FILES.some((f) => new URL(f, scope).pathname === url.pathname);
+  }
+
+  function isMediaResponse(req, res) {
+    if (req.destination === "audio" || req.destination === "video") return true;
+    const type = String(res.headers.get("Content-Type") || "").toLowerCase();
+    return type.startsWith("audio/") || type.startsWith("video/");
+  }
+
+  // <audio> asks for byte ranges; Cache Storage only holds the full file.
+  async function rangeResponse(res, rangeHeader) {
+    const m = /^bytes=(\d*)-(\d*)$/.exec(String(rangeHeader || "").trim());
+    if (!m || (m[1] === "" && m[2] === "")) return res;
+
+    const blob = await res.blob();
+    const size = blob.size;
+    let start;
+    let end;
+    if (m[1] === "") {
+      start = Math.max(0, size - Number(m[2]));
+      end = size - 1;
+    } else {
+      start = Number(m[1]);
+      end = (m[2] === "") ? size - 1 : Math.min(Number(m[2]), size - 1);
+    }
+    if (start >= size || start > end) {
+      return new Response(null, { status: 416, headers: { "Content-Range": `bytes */${size}` } });
+    }
+    return new Response(blob.slice(start, end + 1), {
+      status: 206,
+      statusText: "Partial Content",
+      headers: {
+        "Content-Type": res.headers.get("Content-Type") || blob.type || "",
+        "Content-Range": `bytes ${start}-${end}/${size}`,
+        "Content-Length": String(end - start + 1),
+        "Accept-Ranges": "bytes",
+      },
+    });
+  }
+
+  function headResponse(res) {
+    return new Response(null, { status: 200, headers: res.headers });
+  }
+
+  async function fromOfflineCache(req) {
+    const cache = await caches.open(OFFLINE_CACHE);
+    return cache.match(req.url, { ignoreMethod: true, ignoreVary: true });
+  }
+
+  async function handleDownloaded(req, hit) {
+    if (req.method === "HEAD") return headResponse(hit);
+    if (isMediaResponse(req, hit)) return rangeResponse(hit, req.headers.get("Range"));
+
+    // Small files (episode.json, chapters, covers) may change upstream: prefer the network.
+    try {
+      const res = await fetch(req);
+      if (res.ok) return res;
+    } catch {}
+    return hit;
+  }
+
+  async function handleShell(req) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+      const res = await fetch(req);
+      if (res.ok && req.method === "GET") {
+        // Player page navigations are stored as the index page (ignoring ?episode=... etc.)
+        const key = (req.mode === "navigate") ? new URL("./index.html", self.registration.scope).toString() : req.url;
+        try { await cache.put(key, res.clone()); } catch {}
+      }
+      return res;
+    } catch (err) {
+      const hit = (req.mode === "navigate")
+        ? await cache.match(new URL("./index.html", self.registration.scope).toString())
+        : await cache.match(req, { ignoreSearch: false });
+      if (hit) return hit;
+      throw err;
+    }
+  }
+
+  self.addEventListener("fetch", (event) => {
+    const req = event.request;
+    if (req.method !== "GET" && req.method !== "HEAD") return;
+    const url = new URL(req.url);
+    if (url.protocol !== "http:" && url.protocol !== "https:") return;
+
+    event.respondWith((async () => {
+      const hit = await fromOfflineCache(req);
+      if (hit) return handleDownloaded(req, hit);
+      if (isShellRequest(req, url)) return handleShell(req);
+      return fetch(req);
+    })());
+  });
+})();